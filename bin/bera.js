@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+// Bera AI command-line client - talks to a running Bera AI server over /api/v1
+const axios = require('axios');
+const FormData = require('form-data');
+const readline = require('readline');
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+const VERSION = require('../package.json').version;
+
+const USAGE = `Bera AI CLI ${VERSION} - created by Bruce Bera
+
+Usage:
+  bera [chat]                         Interactive chat (type /help inside for commands)
+  bera chat "message"                 Send one message and print the reply
+  bera download <song | url>          Download a song by name, or any supported link
+       [--mp4 | --format <fmt>]       MP3 (default for songs), M4A, OPUS, MP4 or WEBM
+       [--quality <q>]                e.g. 320kbps, 1080p
+       [--out <dir>]                  Where to save the file (default: current directory)
+  bera identify <audio file>          Identify a song from a recording
+  bera formats                        List formats, qualities and supported platforms
+
+Options:
+  --server <url>     Server URL (env BERA_SERVER, default http://localhost:3000)
+  --api-key <key>    API key (env BERA_API_KEY)
+  --session <id>     Continue a chat session
+  --json             Print raw JSON responses (for scripts)
+  --quiet            No progress output
+  -h, --help         Show this help
+  -v, --version      Show the version
+`;
+
+// ============================================
+// ARGUMENTS & CONFIG
+// ============================================
+const FLAGS = { json: 'json', quiet: 'quiet', mp4: 'mp4', help: 'help', h: 'help', version: 'version', v: 'version' };
+const OPTIONS = { server: 'server', 'api-key': 'apiKey', session: 'session', format: 'format', quality: 'quality', out: 'out', o: 'out' };
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = arg.match(/^--?([\w-]+)(?:=(.*))?$/);
+        if (!match || arg === '-') {
+            args.positional.push(arg);
+            continue;
+        }
+
+        const name = match[1];
+        if (FLAGS[name]) {
+            args[FLAGS[name]] = true;
+        } else if (OPTIONS[name]) {
+            const value = match[2] !== undefined ? match[2] : argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`--${name} needs a value`);
+            }
+            args[OPTIONS[name]] = value;
+        } else {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+    return args;
+}
+
+class UsageError extends Error {}
+
+function createClient(args) {
+    const server = (args.server || process.env.BERA_SERVER || 'http://localhost:3000').replace(/\/+$/, '');
+    const apiKey = args.apiKey || process.env.BERA_API_KEY;
+
+    return {
+        server: server,
+        http: axios.create({
+            baseURL: `${server}/api/v1`,
+            // Conversions can take minutes
+            timeout: 10 * 60000,
+            headers: apiKey ? { 'X-API-Key': apiKey } : {}
+        })
+    };
+}
+
+// ============================================
+// OUTPUT & PROGRESS
+// ============================================
+class Progress {
+    constructor(enabled) {
+        this.enabled = enabled && process.stderr.isTTY;
+        this.timer = null;
+    }
+
+    spin(text) {
+        this.stop();
+        if (!this.enabled) {
+            return;
+        }
+        const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+        const started = Date.now();
+        let frame = 0;
+        this.timer = setInterval(() => {
+            const seconds = Math.floor((Date.now() - started) / 1000);
+            this.write(`${frames[frame++ % frames.length]} ${text} ${seconds}s`);
+        }, 100);
+    }
+
+    bar(label, done, total) {
+        if (!this.enabled) {
+            return;
+        }
+        const mb = bytes => (bytes / 1048576).toFixed(1);
+        if (!total) {
+            this.write(`${label} ${mb(done)} MB`);
+            return;
+        }
+        const ratio = Math.min(done / total, 1);
+        const width = 24;
+        const filled = Math.round(ratio * width);
+        this.write(`${label} [${'#'.repeat(filled)}${'.'.repeat(width - filled)}] ${Math.round(ratio * 100)}% ${mb(done)}/${mb(total)} MB`);
+    }
+
+    write(line) {
+        readline.clearLine(process.stderr, 0);
+        readline.cursorTo(process.stderr, 0);
+        process.stderr.write(line.slice(0, (process.stderr.columns || 80) - 1));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.enabled) {
+            readline.clearLine(process.stderr, 0);
+            readline.cursorTo(process.stderr, 0);
+        }
+    }
+}
+
+// Error envelope from /api/v1 ({ error: { code, message } }), or a transport failure
+function describeError(error) {
+    const body = error.response && error.response.data;
+    if (body && body.error && typeof body.error === 'object') {
+        return `${body.error.message} [${body.error.code}${body.error.retryable ? ', retryable' : ''}]`;
+    }
+    if (body && typeof body.error === 'string') {
+        return body.error;
+    }
+    if (error.code === 'ECONNREFUSED') {
+        return `Cannot reach the Bera AI server at ${error.config && error.config.baseURL} - is it running? (set --server or BERA_SERVER)`;
+    }
+    return error.message;
+}
+
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// ============================================
+// FILE DOWNLOADS
+// ============================================
+function uniquePath(dir, filename) {
+    const ext = path.extname(filename);
+    const base = path.basename(filename, ext);
+    let candidate = path.join(dir, filename);
+    for (let n = 1; fs.existsSync(candidate); n++) {
+        candidate = path.join(dir, `${base} (${n})${ext}`);
+    }
+    return candidate;
+}
+
+function filenameFrom(headers, fallback) {
+    const disposition = headers['content-disposition'] || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    if (encoded) {
+        return decodeURIComponent(encoded[1]);
+    }
+    const plain = disposition.match(/filename="?([^";]+)"?/i);
+    return plain ? plain[1] : fallback;
+}
+
+// Streams a /media link (or any absolute link) into dir; returns the saved path
+async function saveFile(client, link, { dir, fallbackName, progress }) {
+    const url = new URL(link, client.server);
+    // The API key only goes to our server; with MEDIA_STORAGE=off the link points at the upstream host
+    const http = url.origin === new URL(client.server).origin ? client.http : axios;
+    const response = await http.get(url.toString(), { baseURL: '', responseType: 'stream', timeout: client.http.defaults.timeout });
+    const total = parseInt(response.headers['content-length']) || 0;
+    const name = filenameFrom(response.headers, fallbackName).replace(/[\\/:*?"<>|\x00-\x1f]/g, '');
+
+    fs.mkdirSync(dir, { recursive: true });
+    const target = uniquePath(dir, name);
+    let done = 0;
+
+    await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(target);
+        response.data.on('data', chunk => {
+            done += chunk.length;
+            progress.bar(`Saving ${name}`, done, total);
+        });
+        response.data.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        response.data.pipe(out);
+    }).catch(error => {
+        fs.rmSync(target, { force: true });
+        throw error;
+    });
+
+    progress.stop();
+    return target;
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+async function download(client, args, progress) {
+    const target = args.positional.join(' ').trim();
+    if (!target) {
+        throw new UsageError('Usage: bera download <song | url> [--mp4 | --format <fmt>] [--quality <q>] [--out <dir>]');
+    }
+
+    const format = args.mp4 ? 'MP4' : args.format;
+    const isUrl = /^https?:\/\//i.test(target);
+    const body = isUrl
+        ? { url: target, format: format, quality: args.quality }
+        : { song: target, format: format || 'MP3', quality: args.quality };
+
+    progress.spin(isUrl ? 'Converting link...' : `Searching and converting "${target}"...`);
+    let result;
+    try {
+        result = (await client.http.post(isUrl ? '/download/url' : '/download/auto', body)).data;
+    } finally {
+        progress.stop();
+    }
+
+    const fallbackName = result.filename || `${result.title || 'download'}.${String(result.format || 'mp3').toLowerCase()}`;
+    const saved = await saveFile(client, result.download_link, {
+        dir: path.resolve(args.out || '.'),
+        fallbackName: fallbackName,
+        progress: progress
+    });
+
+    if (args.json) {
+        return printJson({ ...result, saved_to: saved });
+    }
+    console.log(`Saved ${result.format}${result.quality ? ` (${result.quality})` : ''}: ${saved}`);
+    if (result.quality_fallback && result.note) {
+        console.log(result.note);
+    }
+    if (result.alternatives && result.alternatives.length > 0) {
+        console.log('Not sure this is the right version. Other matches:');
+        result.alternatives.forEach((alternative, index) => console.log(`  ${index + 1}. ${alternative.title} - ${alternative.url}`));
+    }
+}
+
+async function identify(client, args, progress) {
+    const file = args.positional[0];
+    if (!file) {
+        throw new UsageError('Usage: bera identify <audio file>');
+    }
+    if (!fs.existsSync(file)) {
+        throw new UsageError(`File not found: ${file}`);
+    }
+
+    const form = new FormData();
+    form.append('audio', fs.createReadStream(file), path.basename(file));
+
+    progress.spin('Identifying...');
+    let result;
+    try {
+        result = (await client.http.post('/music/identify', form, {
+            headers: form.getHeaders(),
+            maxBodyLength: Infinity
+        })).data;
+    } finally {
+        progress.stop();
+    }
+
+    if (args.json) {
+        return printJson(result);
+    }
+    const song = result.song;
+    console.log(`${song.title} - ${song.artist}`);
+    console.log(`Album: ${song.album}${song.release_date ? ` (${song.release_date})` : ''}`);
+    console.log(`Download it with: bera download "${song.title} ${song.artist}"`);
+}
+
+async function formats(client, args) {
+    const result = (await client.http.get('/download/formats')).data;
+    if (args.json) {
+        return printJson(result);
+    }
+    result.formats.forEach(option => console.log(`${option.format.padEnd(5)} ${option.kind.padEnd(6)} ${option.qualities.join(', ')} (default ${option.default_quality})`));
+    console.log('');
+    result.platforms.forEach(platform => console.log(`${platform.name}: ${platform.formats.join(', ')}`));
+}
+
+// One chat turn; download replies are saved when --out is given
+async function sendMessage(client, args, progress, state, message) {
+    progress.spin('Thinking...');
+    let result;
+    try {
+        result = (await client.http.post('/bera-ai', { message: message, session_id: state.sessionId })).data;
+    } finally {
+        progress.stop();
+    }
+    state.sessionId = result.session_id || state.sessionId;
+
+    if (args.json) {
+        return printJson(result);
+    }
+
+    const response = result.response || {};
+    console.log(`bera> ${response.message || ''}`);
+    (response.capabilities || []).forEach(capability => console.log(`  - ${capability}`));
+
+    const data = response.download_data || (response.batch && response.batch.zip) || null;
+    if (data && data.download_link) {
+        if (args.out) {
+            const saved = await saveFile(client, data.download_link, {
+                dir: path.resolve(args.out),
+                fallbackName: data.filename || 'download',
+                progress: progress
+            });
+            console.log(`      saved to ${saved}`);
+        } else {
+            console.log(`      ${new URL(data.download_link, client.server)}`);
+        }
+    }
+    if (response.status_url) {
+        console.log(`      job: ${new URL(`/api/v1${response.status_url.replace(/^\/api/, '')}`, client.server)}`);
+    }
+}
+
+async function chat(client, args, progress) {
+    const state = { sessionId: args.session || null };
+    const message = args.positional.join(' ').trim();
+    if (message) {
+        return sendMessage(client, args, progress, state, message);
+    }
+
+    console.log(`Bera AI chat (${client.server}). Type /help for commands, /quit to leave.`);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'you> ' });
+    rl.prompt();
+
+    for await (const line of rl) {
+        const text = line.trim();
+        if (text === '/quit' || text === '/exit') {
+            break;
+        }
+        if (text === '/help') {
+            console.log('/new - start a new session   /session - show the session id   /quit - leave');
+            console.log('Anything else is sent to Bera AI, e.g. "download Essence by Wizkid as m4a",');
+            console.log('including its own commands such as /mp3 <song> or /search <query> (send "help" to list them).');
+        } else if (text === '/new') {
+            state.sessionId = null;
+            console.log('Started a new session.');
+        } else if (text === '/session') {
+            console.log(state.sessionId || 'No session yet');
+        } else if (text) {
+            try {
+                await sendMessage(client, args, progress, state, text);
+            } catch (error) {
+                console.error(`Error: ${describeError(error)}`);
+            }
+        }
+        rl.prompt();
+    }
+    rl.close();
+}
+
+const COMMANDS = { chat: chat, download: download, dl: download, identify: identify, formats: formats };
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (args.version) {
+        console.log(VERSION);
+        return 0;
+    }
+
+    const name = args.positional.length > 0 ? args.positional.shift() : 'chat';
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command "${name}"\n`);
+        process.stderr.write(USAGE);
+        return 2;
+    }
+
+    const progress = new Progress(!args.json && !args.quiet);
+    try {
+        await command(createClient(args), args, progress);
+        return 0;
+    } catch (error) {
+        progress.stop();
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            return 2;
+        }
+        if (args.json && error.response && error.response.data) {
+            printJson(error.response.data);
+        } else {
+            console.error(`Error: ${describeError(error)}`);
+        }
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
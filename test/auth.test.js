@@ -0,0 +1,39 @@
+// User store writes and API key bookkeeping
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_STORE = 'memory';
+const { FileUserStore, MemoryUserStore, AuthService } = require('../server');
+
+test('overlapping user file saves land in order', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-users-'));
+    const store = new FileUserStore(path.join(dir, 'users.json'));
+    
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.save({ users: {}, api_keys: {}, version: i })));
+    
+    assert.strictEqual(JSON.parse(fs.readFileSync(store.filePath, 'utf8')).version, 9);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['users.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an API key used repeatedly is recorded without a save per request', async () => {
+    const store = new MemoryUserStore();
+    let saves = 0;
+    const save = store.save.bind(store);
+    store.save = data => { saves++; return save(data); };
+    AuthService.setStore(store);
+    
+    const registered = await AuthService.register('keyuser', 'secret123');
+    const { key } = await AuthService.createApiKey(registered.user.id, 'cli');
+    saves = 0;
+    
+    for (let i = 0; i < 5; i++) {
+        const user = await AuthService.resolveCredential(key);
+        assert.strictEqual(user.username, 'keyuser');
+    }
+    assert.strictEqual(saves, 1);
+    assert.ok(Object.values((await store.load()).api_keys)[0].last_used_at);
+});
@@ -0,0 +1,41 @@
+// Batch jobs: retries run only the failed songs, and only delivered songs use the quota
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_STORE = 'memory';
+process.env.MEDIA_STORAGE = 'off';
+process.env.JOB_RETRY_BASE_MS = '1';
+const { BatchDownloadService, DownloadJobQueue, QuotaService } = require('../server');
+
+async function settled(job) {
+    while (!job.finished_at) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return job;
+}
+
+test('a batch job retries only its failed songs and charges only delivered ones', async () => {
+    const calls = {};
+    BatchDownloadService.processItem = async (item) => {
+        calls[item.query] = (calls[item.query] || 0) + 1;
+        const base = { index: item.index, query: item.query, title: item.query };
+        // "second" works on its retry, "never" never does
+        if (item.query === 'never' || (item.query === 'second' && calls[item.query] === 1)) {
+            return { ...base, success: false, error: 'Download failed' };
+        }
+        return { ...base, success: true, media_id: `media-${item.query}`, download_link: `/media/media-${item.query}` };
+    };
+    
+    const prepared = await BatchDownloadService.prepare({ songs: ['first', 'second', 'never'] });
+    const { success, ...batch } = BatchDownloadService.chargeQuota(prepared, 'user:batch');
+    assert.strictEqual(QuotaService.usage.get('user:batch').count, 3);
+    
+    const job = await settled(DownloadJobQueue.enqueue('batch', { ...batch, format: 'MP3' }, { maxAttempts: 3, quotaKey: 'user:batch' }));
+    
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(calls, { first: 1, second: 2, never: 3 });
+    assert.strictEqual(job.result.completed, 2);
+    assert.strictEqual(job.result.failed, 1);
+    assert.strictEqual(QuotaService.usage.get('user:batch').count, 2);
+    assert.strictEqual(DownloadJobQueue.toJSON(job).quota_key, undefined);
+});
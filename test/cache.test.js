@@ -0,0 +1,100 @@
+// Result cache: identical requests in flight share one upstream call, and download conversions are keyed by tags
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_STORE = 'memory';
+process.env.MEDIA_STORAGE = 'off';
+const { CacheService, YouTubeDownloadService } = require('../server');
+
+// A produce() that only finishes when release() is called, counting its calls
+function gate(value) {
+    let release;
+    const done = new Promise(resolve => {
+        release = resolve;
+    });
+    const produce = async () => {
+        produce.calls++;
+        await done;
+        return value;
+    };
+    produce.calls = 0;
+    return { produce, release };
+}
+
+test('identical lookups in flight share one call, and each caller gets its own copy', async () => {
+    const { produce, release } = gate({ title: 'Essence', tags: ['afrobeats'] });
+    const calls = [1, 2, 3].map(() => CacheService.remember('search', 'essence wizkid', produce));
+    release();
+    const results = await Promise.all(calls);
+    
+    assert.strictEqual(produce.calls, 1);
+    assert.deepStrictEqual(results.map(result => result.cache), ['miss', 'coalesced', 'coalesced']);
+    results[1].value.tags.push('changed');
+    assert.deepStrictEqual(results[2].value.tags, ['afrobeats']);
+    assert.strictEqual(CacheService.pending.size, 0);
+    
+    const later = await CacheService.remember('search', 'essence wizkid', produce);
+    assert.deepStrictEqual(later, { value: { title: 'Essence', tags: ['afrobeats'] }, cache: 'hit' });
+    assert.strictEqual(produce.calls, 1);
+});
+
+test('failures are shared but not cached', async () => {
+    let calls = 0;
+    const failing = async () => {
+        calls++;
+        throw new Error('upstream down');
+    };
+    const attempts = await Promise.allSettled([
+        CacheService.remember('search', 'down', failing),
+        CacheService.remember('search', 'down', failing)
+    ]);
+    assert.deepStrictEqual(attempts.map(attempt => attempt.status), ['rejected', 'rejected']);
+    assert.strictEqual(calls, 1);
+    
+    const notFound = { success: false };
+    const first = await CacheService.remember('search', 'missing', async () => notFound, { cacheable: value => value.success });
+    const second = await CacheService.remember('search', 'missing', async () => notFound, { cacheable: value => value.success });
+    assert.deepStrictEqual([first.cache, second.cache], ['miss', 'miss']);
+});
+
+test('a cached entry whose backing data is gone is produced again', async () => {
+    let stored = true;
+    const options = { valid: () => stored };
+    await CacheService.remember('download', 'gone', async () => ({ media_id: 'a' }), options);
+    
+    stored = false;
+    const again = await CacheService.remember('download', 'gone', async () => ({ media_id: 'b' }), options);
+    assert.deepStrictEqual(again, { value: { media_id: 'b' }, cache: 'miss' });
+});
+
+test('downloads share a conversion only when their tags match, and a cancelled caller leaves the others waiting', async () => {
+    const conversions = [];
+    let finish;
+    const ready = new Promise(resolve => {
+        finish = resolve;
+    });
+    YouTubeDownloadService.convert = async (url, format, quality, tags, tagKey) => {
+        conversions.push(tagKey);
+        await ready;
+        return { success: true, media_id: `media-${tagKey}`, title: tags.title || 'YouTube Audio' };
+    };
+    const url = 'https://www.youtube.com/watch?v=jipQpjUA_o8';
+    const tags = { title: 'Essence', artist: 'Wizkid' };
+    const cancel = new AbortController();
+    
+    const tagged = YouTubeDownloadService.fetch(url, 'MP3', null, null, tags);
+    const sameTags = YouTubeDownloadService.fetch('https://youtu.be/jipQpjUA_o8', 'MP3', null, null, { ...tags });
+    const cancelled = YouTubeDownloadService.fetch(url, 'MP3', null, cancel.signal, tags);
+    const untagged = YouTubeDownloadService.fetch(url, 'MP3', null, null, {});
+    
+    cancel.abort();
+    assert.strictEqual((await cancelled).code, 'CANCELLED');
+    finish();
+    
+    const [first, second, plain] = await Promise.all([tagged, sameTags, untagged]);
+    assert.deepStrictEqual(conversions, [YouTubeDownloadService.tagKey(tags), 'untagged']);
+    assert.strictEqual(first.media_id, second.media_id);
+    assert.deepStrictEqual([first.cache, second.cache], ['miss', 'coalesced']);
+    assert.strictEqual(plain.media_id, 'media-untagged');
+    assert.strictEqual(plain.title, 'YouTube Audio');
+});
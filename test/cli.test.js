@@ -0,0 +1,125 @@
+// The bera CLI, run as a child process against a local stand-in for the server
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mockServer, sendJson } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'bera.js');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-cli-'));
+let api;
+let cdn;
+
+// Resolves with the exit code and output instead of rejecting on a non-zero exit
+function bera(...args) {
+    return new Promise(resolve => {
+        const env = { ...process.env, BERA_SERVER: api.url, BERA_API_KEY: 'cli-key' };
+        execFile(process.execPath, [CLI, ...args], { cwd: workDir, env: env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout: stdout, stderr: stderr });
+        });
+    });
+}
+
+test.before(async () => {
+    cdn = await mockServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end('upstream audio');
+    });
+    api = await mockServer((request, res) => {
+        const body = request.body.length > 0 ? JSON.parse(request.body.toString()) : null;
+        if (request.url === '/api/v1/download/auto') {
+            if (body.song === 'Unknown Song') {
+                return sendJson(res, 404, { success: false, error: { code: 'SONG_NOT_FOUND', message: 'Could not find "Unknown Song"', retryable: false } });
+            }
+            return sendJson(res, 200, { success: true, title: 'Essence', format: 'MP3', quality: '320kbps', download_link: '/media/0123' });
+        }
+        if (request.url === '/api/v1/download/url') {
+            return sendJson(res, 200, { success: true, title: 'Clip', format: 'MP4', quality: '720p', download_link: `${cdn.url}/files/clip.mp4` });
+        }
+        if (request.url === '/media/0123') {
+            res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Disposition': 'attachment; filename="Wizkid - Essence.mp3"' });
+            return res.end('stored audio');
+        }
+        if (request.url === '/api/v1/bera-ai') {
+            return sendJson(res, 200, { success: true, session_id: 'session-1', response: { type: 'identity', message: `You said: ${body.message}` } });
+        }
+        sendJson(res, 404, { success: false, error: { code: 'NOT_FOUND', message: 'No such endpoint', retryable: false } });
+    });
+});
+
+test.after(async () => {
+    await api.close();
+    await cdn.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('download saves the server file under its own name, never overwriting an earlier one', async () => {
+    const out = path.join(workDir, 'songs');
+    
+    const first = await bera('download', 'Essence', 'by', 'Wizkid', '--quality', '320kbps', '--out', out);
+    assert.strictEqual(first.code, 0, first.stderr);
+    assert.strictEqual(first.stdout.trim(), `Saved MP3 (320kbps): ${path.join(out, 'Wizkid - Essence.mp3')}`);
+    
+    const request = api.requests.find(r => r.url === '/api/v1/download/auto');
+    assert.deepStrictEqual(JSON.parse(request.body.toString()), { song: 'Essence by Wizkid', format: 'MP3', quality: '320kbps' });
+    assert.strictEqual(request.headers['x-api-key'], 'cli-key');
+    assert.strictEqual(api.requests.find(r => r.url === '/media/0123').headers['x-api-key'], 'cli-key');
+    
+    const second = await bera('download', 'Essence', '--out', out);
+    assert.strictEqual(second.code, 0, second.stderr);
+    assert.deepStrictEqual(fs.readdirSync(out).sort(), ['Wizkid - Essence (1).mp3', 'Wizkid - Essence.mp3']);
+    assert.strictEqual(fs.readFileSync(path.join(out, 'Wizkid - Essence.mp3'), 'utf8'), 'stored audio');
+});
+
+test('links on another host are fetched without the API key and named after the title', async () => {
+    const out = path.join(workDir, 'videos');
+    const result = await bera('download', 'https://youtu.be/abc', '--mp4', '--out', out, '--json');
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(JSON.parse(result.stdout).saved_to, path.join(out, 'Clip.mp4'));
+    
+    assert.deepStrictEqual(JSON.parse(api.requests.at(-1).body.toString()), { url: 'https://youtu.be/abc', format: 'MP4' });
+    assert.strictEqual(cdn.requests.length, 1);
+    assert.strictEqual(cdn.requests[0].headers['x-api-key'], undefined);
+    assert.strictEqual(fs.readFileSync(path.join(out, 'Clip.mp4'), 'utf8'), 'upstream audio');
+});
+
+test('API errors are printed from the v1 envelope and exit with 1', async () => {
+    const plain = await bera('download', 'Unknown Song');
+    assert.strictEqual(plain.code, 1);
+    assert.strictEqual(plain.stderr.trim(), 'Error: Could not find "Unknown Song" [SONG_NOT_FOUND]');
+    
+    const json = await bera('download', 'Unknown Song', '--json');
+    assert.strictEqual(json.code, 1);
+    assert.strictEqual(JSON.parse(json.stdout).error.code, 'SONG_NOT_FOUND');
+});
+
+test('one-shot chat continues the given session', async () => {
+    const result = await bera('chat', 'who', 'made', 'you', '--session', 'session-1');
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(result.stdout.trim(), 'bera> You said: who made you');
+    assert.deepStrictEqual(JSON.parse(api.requests.at(-1).body.toString()), { message: 'who made you', session_id: 'session-1' });
+});
+
+test('usage mistakes exit with 2 before contacting the server', async () => {
+    const calls = api.requests.length;
+    
+    const unknownCommand = await bera('dance');
+    assert.strictEqual(unknownCommand.code, 2);
+    assert.match(unknownCommand.stderr, /^Unknown command "dance"/);
+    
+    const unknownOption = await bera('download', 'Essence', '--loud');
+    assert.strictEqual(unknownOption.code, 2);
+    assert.strictEqual(unknownOption.stderr.trim(), 'Unknown option --loud');
+    
+    const missingValue = await bera('download', 'Essence', '--format');
+    assert.strictEqual(missingValue.code, 2);
+    assert.strictEqual(missingValue.stderr.trim(), '--format needs a value');
+    
+    const missingFile = await bera('identify', path.join(workDir, 'missing.webm'));
+    assert.strictEqual(missingFile.code, 2);
+    assert.match(missingFile.stderr, /^File not found: /);
+    
+    assert.strictEqual(api.requests.length, calls);
+});
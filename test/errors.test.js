@@ -0,0 +1,98 @@
+// Error bodies: the flat /api shape, the /api/v1 envelope, body validation and request IDs
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+const { server } = require('../server');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+
+test.before(async () => {
+    base = await startServer(server);
+});
+test.after(() => stopServer(server));
+
+test('validation problems are listed per field, flat on /api and enveloped on /api/v1', async () => {
+    const flat = await http.post(`${base}/api/bera-ai`, { speak: 'yes' });
+    assert.strictEqual(flat.status, 400);
+    assert.deepStrictEqual(flat.data, {
+        success: false,
+        error: 'Invalid request: message is required; speak must be boolean',
+        code: 'VALIDATION_ERROR',
+        retryable: false,
+        details: [
+            { field: 'message', message: 'is required' },
+            { field: 'speak', message: 'must be boolean' }
+        ],
+        creator: 'Bruce Bera'
+    });
+    
+    const v1 = await http.post(`${base}/api/v1/bera-ai`, { speak: 'yes' });
+    assert.strictEqual(v1.status, 400);
+    assert.deepStrictEqual(v1.data, {
+        success: false,
+        error: {
+            code: 'VALIDATION_ERROR',
+            message: flat.data.error,
+            retryable: false,
+            details: flat.data.details,
+            request_id: v1.headers['x-request-id']
+        },
+        creator: 'Bruce Bera'
+    });
+});
+
+test('nested fields and array items are named in the problems', async () => {
+    const response = await http.post(`${base}/api/download/batch`, { songs: ['Essence', 7], zip: 'yes', format: 3 });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.data.details, [
+        { field: 'songs[1]', message: 'must be string or object' },
+        { field: 'zip', message: 'must be boolean' },
+        { field: 'format', message: 'must be string' }
+    ]);
+    
+    const noSongs = await http.post(`${base}/api/download/batch`, { songs: [] });
+    assert.deepStrictEqual(noSongs.data.details, [{ field: 'songs', message: 'must have at least 1 item(s)' }]);
+});
+
+test('a body that is not JSON is reported with the request ID the client sent', async () => {
+    const headers = { 'Content-Type': 'application/json', 'X-Request-ID': 'client-req-0001' };
+    
+    const flat = await http.post(`${base}/api/bera-ai`, '{"message": ', { headers: headers });
+    assert.strictEqual(flat.status, 400);
+    assert.strictEqual(flat.headers['x-request-id'], 'client-req-0001');
+    assert.strictEqual(flat.data.code, 'INVALID_JSON');
+    assert.deepStrictEqual(flat.data.details, { request_id: 'client-req-0001' });
+    
+    const v1 = await http.post(`${base}/api/v1/bera-ai`, '{"message": ', { headers: headers });
+    assert.strictEqual(v1.status, 400);
+    assert.strictEqual(v1.data.error.code, 'INVALID_JSON');
+    assert.strictEqual(v1.data.error.request_id, 'client-req-0001');
+    assert.strictEqual(v1.data.error.details, undefined);
+});
+
+test('an unusable X-Request-ID is replaced by a generated one', async () => {
+    const response = await http.post(`${base}/api/v1/bera-ai`, {}, { headers: { 'X-Request-ID': 'bad id!' } });
+    assert.match(response.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    assert.strictEqual(response.data.error.request_id, response.headers['x-request-id']);
+});
+
+test('unknown endpoints are 404 NOT_FOUND in both shapes, and v1 successes are unchanged', async () => {
+    const flat = await http.get(`${base}/api/nope?x=1`);
+    assert.strictEqual(flat.status, 404);
+    assert.strictEqual(flat.data.code, 'NOT_FOUND');
+    assert.strictEqual(flat.data.error, 'No such endpoint: GET /api/nope');
+    
+    const v1 = await http.get(`${base}/api/v1/nope`);
+    assert.strictEqual(v1.status, 404);
+    assert.strictEqual(v1.data.error.code, 'NOT_FOUND');
+    assert.strictEqual(v1.data.error.message, 'No such endpoint: GET /api/v1/nope');
+    
+    const ok = await http.post(`${base}/api/v1/bera-ai`, { message: 'Who created you?' });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(ok.data.success, true);
+    assert.strictEqual(ok.data.response.type, 'identity');
+});
@@ -0,0 +1,52 @@
+// Shared test helpers: a local HTTP server that stands in for an upstream API
+const http = require('http');
+
+// handler(request, res) answers every call; request is { method, url, headers, body (Buffer) }.
+// Every request is also kept in .requests for assertions.
+async function mockServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+            requests.push(request);
+            try {
+                await handler(request, res);
+            } catch (error) {
+                res.statusCode = 500;
+                res.end(error.message);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Starts the app's HTTP server on a free port; returns its base URL
+async function startServer(server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function stopServer(server) {
+    return new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+}
+
+module.exports = { mockServer, sendJson, startServer, stopServer };
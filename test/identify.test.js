@@ -0,0 +1,138 @@
+// Music identification against a local stand-in for ACRCloud: request signing, the upload and the reply
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { mockServer, sendJson, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.ACRCLOUD_ACCESS_KEY = 'acr-access';
+process.env.ACRCLOUD_SECRET_KEY = 'acr-secret';
+const { server } = require('../server');
+
+const SAMPLE = Buffer.from('not really audio, but ACRCloud is not really ACRCloud either');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+let acrcloud;
+let reply;
+
+// Text fields of a multipart body, and the first file part
+function parseMultipart(request) {
+    const boundary = request.headers['content-type'].match(/boundary=(.+)$/)[1];
+    const fields = {};
+    let file = null;
+    for (const part of request.body.toString('latin1').split(`--${boundary}`).slice(1, -1)) {
+        const [head, ...rest] = part.split('\r\n\r\n');
+        const value = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+        const name = head.match(/name="([^"]+)"/)[1];
+        const filename = head.match(/filename="([^"]+)"/);
+        if (filename) {
+            file = { name: name, filename: filename[1], data: Buffer.from(value, 'latin1') };
+        } else {
+            fields[name] = value;
+        }
+    }
+    return { fields: fields, file: file };
+}
+
+function identify(filename = 'clip.webm') {
+    const form = new FormData();
+    form.append('audio', SAMPLE, { filename: filename, contentType: 'audio/webm' });
+    return http.post(`${base}/api/music/identify`, form, { headers: form.getHeaders() });
+}
+
+test.before(async () => {
+    acrcloud = await mockServer((request, res) => sendJson(res, 200, reply));
+    process.env.ACRCLOUD_HOST = acrcloud.url;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await acrcloud.close();
+});
+
+test('the sample is uploaded as a signed multipart request and the best match is returned', async () => {
+    reply = {
+        status: { code: 0, msg: 'Success' },
+        metadata: {
+            music: [{
+                title: 'Essence',
+                artists: [{ name: 'Wizkid' }, { name: 'Tems' }],
+                album: { name: 'Made in Lagos' },
+                duration_ms: 248000,
+                release_date: '2020-10-30',
+                score: 100
+            }]
+        }
+    };
+    
+    const response = await identify();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.song, {
+        title: 'Essence',
+        artist: 'Wizkid, Tems',
+        album: 'Made in Lagos',
+        duration: 248000,
+        release_date: '2020-10-30',
+        score: 100
+    });
+    
+    const request = acrcloud.requests.at(-1);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/v1/identify');
+    
+    const { fields, file } = parseMultipart(request);
+    assert.deepStrictEqual(file, { name: 'sample', filename: 'clip.webm', data: SAMPLE });
+    assert.strictEqual(fields.sample_bytes, String(SAMPLE.length));
+    assert.strictEqual(fields.access_key, 'acr-access');
+    assert.strictEqual(fields.data_type, 'audio');
+    assert.strictEqual(fields.signature_version, '1');
+    assert.match(fields.timestamp, /^\d+$/);
+    
+    const expected = crypto.createHmac('sha1', 'acr-secret')
+        .update(['POST', '/v1/identify', 'acr-access', 'audio', '1', fields.timestamp].join('\n'))
+        .digest('base64');
+    assert.strictEqual(fields.signature, expected);
+});
+
+test('ACRCloud status codes become API errors', async () => {
+    reply = { status: { code: 1001, msg: 'No result' } };
+    const noResult = await identify();
+    assert.strictEqual(noResult.status, 422);
+    assert.strictEqual(noResult.data.code, 'NO_MATCH');
+    
+    reply = { status: { code: 0, msg: 'Success' }, metadata: { music: [] } };
+    const empty = await identify();
+    assert.strictEqual(empty.status, 422);
+    assert.strictEqual(empty.data.code, 'NO_MATCH');
+    
+    reply = { status: { code: 3001, msg: 'Missing/Invalid Access Key' } };
+    const rejected = await identify();
+    assert.strictEqual(rejected.status, 502);
+    assert.strictEqual(rejected.data.code, 'RECOGNITION_ERROR');
+    assert.match(rejected.data.error, /Missing\/Invalid Access Key/);
+});
+
+test('an upload without audio or with missing ACRCloud keys never reaches ACRCloud', async () => {
+    const calls = acrcloud.requests.length;
+    
+    const form = new FormData();
+    form.append('session_id', 'no-audio-here');
+    const missing = await http.post(`${base}/api/music/identify`, form, { headers: form.getHeaders() });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.data.code, 'MISSING_AUDIO');
+    
+    delete process.env.ACRCLOUD_SECRET_KEY;
+    try {
+        const unconfigured = await identify();
+        assert.strictEqual(unconfigured.status, 503);
+        assert.strictEqual(unconfigured.data.code, 'NOT_CONFIGURED');
+    } finally {
+        process.env.ACRCLOUD_SECRET_KEY = 'acr-secret';
+    }
+    
+    assert.strictEqual(acrcloud.requests.length, calls);
+});
@@ -0,0 +1,14 @@
+// Runs the intent parser over fixtures/intents.json; any mislabelled phrase fails the run
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IntentClassifier } = require('../server');
+
+test('intent corpus parses without a miss', () => {
+    const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'intents.json'), 'utf8'));
+    const evaluation = IntentClassifier.evaluate(fixtures);
+    const misses = evaluation.failures.map(failure => `${failure.text}: ${failure.problems.join('; ')}`);
+    
+    assert.deepStrictEqual(misses, [], `${misses.length} of ${evaluation.total} fixtures missed`);
+});
@@ -0,0 +1,108 @@
+// Download jobs: the per-caller cap, and cancelling a job aborting its converter call
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.MEDIA_STORAGE = 'off';
+process.env.JOB_MAX_ACTIVE_PER_CALLER = '2';
+const { server, DownloadJobQueue, BatchDownloadService, QuotaService, YouTubeSearchService, YouTubeDownloadService } = require('../server');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+// Video IDs whose converter call is in flight, and those whose call was aborted
+const converting = new Set();
+const aborted = [];
+
+async function until(check) {
+    for (let i = 0; i < 200 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(check());
+}
+
+function queue(videoId) {
+    return http.post(`${base}/api/jobs`, { type: 'youtube', url: `https://www.youtube.com/watch?v=${videoId}`, format: 'MP3' });
+}
+
+test.before(async () => {
+    // A converter that never answers; it only returns once its call is aborted
+    YouTubeDownloadService.convert = (url, format, quality, tags, tagKey, signal) => new Promise(resolve => {
+        const videoId = YouTubeDownloadService.videoId(url);
+        converting.add(videoId);
+        signal.addEventListener('abort', () => {
+            converting.delete(videoId);
+            aborted.push(videoId);
+            resolve({ success: false, error: 'Download cancelled', code: 'CANCELLED' });
+        });
+    });
+    base = await startServer(server);
+});
+
+test.after(() => stopServer(server));
+
+test('a caller can only have so many jobs at once, and cancelling aborts the converter call', async () => {
+    const first = await queue('aaaaaaaaaaa');
+    const second = await queue('bbbbbbbbbbb');
+    assert.strictEqual(first.status, 202);
+    assert.strictEqual(second.status, 202);
+    await until(() => converting.size === 2);
+    
+    const third = await queue('ccccccccccc');
+    assert.strictEqual(third.status, 429);
+    assert.strictEqual(third.data.code, 'RATE_LIMITED');
+    assert.strictEqual(DownloadJobQueue.list().length, 2);
+    
+    const chat = await http.post(`${base}/api/bera-ai`, { message: 'download Essence by Wizkid', async: true });
+    assert.strictEqual(chat.data.response.type, 'too_many_jobs');
+    
+    const cancelled = await http.delete(`${base}/api/jobs/${first.data.job_id}`);
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(cancelled.data.job.status, 'cancelled');
+    assert.strictEqual(cancelled.data.job.owner, undefined);
+    await until(() => aborted.includes('aaaaaaaaaaa'));
+    
+    const replacement = await queue('ccccccccccc');
+    assert.strictEqual(replacement.status, 202);
+    await until(() => converting.has('ccccccccccc'));
+    
+    for (const job of DownloadJobQueue.list({ status: 'running' })) {
+        DownloadJobQueue.cancel(job.id);
+    }
+    await until(() => converting.size === 0);
+});
+
+test('a conversion shared by two jobs keeps going until both are cancelled', async () => {
+    const url = 'https://www.youtube.com/watch?v=ddddddddddd';
+    const one = DownloadJobQueue.enqueue('youtube', { url: url, format: 'MP3' });
+    const two = DownloadJobQueue.enqueue('youtube', { url: url, format: 'MP3' });
+    await until(() => converting.has('ddddddddddd'));
+    
+    DownloadJobQueue.cancel(one.id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(converting.has('ddddddddddd'));
+    
+    DownloadJobQueue.cancel(two.id);
+    await until(() => aborted.includes('ddddddddddd'));
+});
+
+test('a cancelled batch job stops and refunds the songs it did not deliver', async () => {
+    YouTubeSearchService.searchSong = async (query) => ({
+        success: true,
+        title: query,
+        url: `https://www.youtube.com/watch?v=${query}`,
+        videoId: query
+    });
+    const prepared = await BatchDownloadService.prepare({ songs: ['eeeeeeeeeee', 'fffffffffff'] });
+    const { success, ...batch } = BatchDownloadService.chargeQuota(prepared, 'user:cancel');
+    assert.strictEqual(QuotaService.usage.get('user:cancel').count, 2);
+    
+    const job = DownloadJobQueue.enqueue('batch', { ...batch, format: 'MP3' }, { quotaKey: 'user:cancel' });
+    await until(() => converting.has('eeeeeeeeeee') && converting.has('fffffffffff'));
+    
+    DownloadJobQueue.cancel(job.id);
+    await until(() => QuotaService.usage.get('user:cancel').count === 0);
+    assert.strictEqual(job.status, 'cancelled');
+    assert.strictEqual(job.attempts, 1);
+});
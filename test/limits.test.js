@@ -0,0 +1,49 @@
+// Download quota, per-class rate limits and the Content-Security-Policy
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.DOWNLOAD_DAILY_QUOTA_ANON = '2';
+process.env.RATE_LIMIT_SPEECH_MAX = '1';
+process.env.PUBLIC_BASE_URL = 'https://bera.example.com';
+delete process.env.NODE_ENV;
+delete process.env.PORT;
+const { server } = require('../server');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+
+test.before(async () => {
+    base = await startServer(server);
+});
+test.after(() => stopServer(server));
+
+test('rejected download requests do not use up the daily quota', async () => {
+    for (let i = 0; i < 3; i++) {
+        const response = await http.post(`${base}/api/download/url`, {});
+        assert.strictEqual(response.status, 400);
+    }
+    const response = await http.post(`${base}/api/download/url`, { url: 'https://example.com/song', format: 'FLAC' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.headers['x-download-quota-remaining'], '1');
+});
+
+test('text to speech has its own rate limit', async () => {
+    // A request refused by validation still counts, and never reaches the speech provider
+    await http.post(`${base}/api/tts`, {});
+    const response = await http.post(`${base}/api/tts`, { text: 'hello again' });
+    
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(response.data.limit_class, 'speech');
+});
+
+test('connect-src comes from configuration', async () => {
+    const response = await http.get(`${base}/api/health`);
+    const connect = response.headers['content-security-policy'].split(';').find(part => part.trim().startsWith('connect-src'));
+    
+    assert.match(connect, /https:\/\/bera\.example\.com/);
+    assert.match(connect, /wss:\/\/bera\.example\.com/);
+    assert.match(connect, /http:\/\/localhost:3000/);
+});
@@ -0,0 +1,104 @@
+// Lyrics lookups against a local stand-in for LRCLIB, through the API and the chat follow-up
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { mockServer, sendJson, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.MEDIA_STORAGE = 'off';
+const { server, LyricsService, YouTubeSearchService, YouTubeDownloadService } = require('../server');
+
+const SYNCED = '[00:01.00] Say you love me\n[00:04.50] Essence\n';
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+let lrclib;
+
+test.before(async () => {
+    lrclib = await mockServer((request, res) => {
+        const params = new URL(request.url, 'http://lrclib').searchParams;
+        if (params.get('track_name') === 'Essence') {
+            return sendJson(res, 200, [
+                { trackName: 'Essence', artistName: 'Wizkid', albumName: 'Made in Lagos', duration: 400, plainLyrics: 'Live version' },
+                { trackName: 'Essence', artistName: 'Wizkid', albumName: 'Made in Lagos', duration: 248, plainLyrics: null, syncedLyrics: SYNCED }
+            ]);
+        }
+        if (params.get('track_name') === 'Interlude') {
+            return sendJson(res, 200, [{ trackName: 'Interlude', artistName: 'Wizkid', duration: 60, plainLyrics: 'Just words' }]);
+        }
+        sendJson(res, 200, []);
+    });
+    process.env.LYRICS_BASE_URL = lrclib.url;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await lrclib.close();
+});
+
+test('LRCLIB records become plain text and a complete .lrc file', async () => {
+    const lyrics = await LyricsService.find({ title: 'Essence', artist: 'Wizkid', duration: 250 });
+    
+    assert.strictEqual(lyrics.success, true);
+    assert.strictEqual(lyrics.provider, 'lrclib');
+    assert.strictEqual(lyrics.album, 'Made in Lagos');
+    assert.strictEqual(lyrics.plain, 'Say you love me\nEssence');
+    assert.strictEqual(lyrics.synced, `[ti:Essence]\n[ar:Wizkid]\n[al:Made in Lagos]\n[length:4:08]\n${SYNCED}`);
+    assert.strictEqual(LyricsService.plainFromSynced(lyrics.synced), lyrics.plain);
+    
+    const search = lrclib.requests.at(-1);
+    assert.strictEqual(search.method, 'GET');
+    assert.match(search.url, /^\/api\/search\?/);
+    assert.strictEqual(new URL(search.url, 'http://lrclib').searchParams.get('artist_name'), 'Wizkid');
+});
+
+test('/api/lyrics serves the .lrc file and answers 404 when there is nothing to serve', async () => {
+    const lrc = await http.post(`${base}/api/lyrics`, { query: 'Essence by Wizkid', format: 'lrc' });
+    assert.strictEqual(lrc.status, 200);
+    assert.match(lrc.headers['content-disposition'], /attachment; filename=".*\.lrc"/);
+    assert.match(lrc.data, /^\[ti:Essence\]\n\[ar:Wizkid\]\n/);
+    
+    const unsynced = await http.post(`${base}/api/lyrics`, { title: 'Interlude', artist: 'Wizkid', format: 'lrc' });
+    assert.strictEqual(unsynced.status, 404);
+    assert.strictEqual(unsynced.data.code, 'LYRICS_NOT_FOUND');
+    
+    const unknown = await http.post(`${base}/api/lyrics`, { title: 'No Such Song', artist: 'Nobody' });
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.data.code, 'LYRICS_NOT_FOUND');
+    
+    const missing = await http.post(`${base}/api/lyrics`, {});
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.data.code, 'VALIDATION_ERROR');
+});
+
+test('"lyrics" after a chat download looks up the song that was just downloaded', async () => {
+    YouTubeSearchService.searchSong = async () => ({
+        success: true,
+        title: 'Wizkid - Essence (Official Video)',
+        url: 'https://www.youtube.com/watch?v=jipQpjUA_o8',
+        videoId: 'jipQpjUA_o8',
+        channel: 'Wizkid'
+    });
+    YouTubeDownloadService.download = async () => ({
+        success: true,
+        title: 'Essence',
+        quality: '128kbps',
+        download_link: 'https://cdn.example.com/essence.mp3'
+    });
+    const download = await http.post(`${base}/api/bera-ai`, { message: 'download Essence by Wizkid' });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.data.response.type, 'auto_download');
+    assert.deepStrictEqual(download.data.response.lyrics_offer, { title: 'Essence', artist: 'Wizkid', endpoint: '/api/lyrics' });
+    
+    const sessionId = download.data.session_id;
+    const followUp = await http.post(`${base}/api/bera-ai`, { message: 'lyrics', session_id: sessionId });
+    assert.strictEqual(followUp.status, 200);
+    assert.strictEqual(followUp.data.response.type, 'lyrics');
+    assert.strictEqual(followUp.data.response.song, 'Essence');
+    assert.strictEqual(followUp.data.response.plain, 'Say you love me\nEssence');
+    
+    const bySession = await http.post(`${base}/api/lyrics`, { session_id: sessionId });
+    assert.strictEqual(bySession.status, 200);
+    assert.strictEqual(bySession.data.title, 'Essence');
+});
@@ -0,0 +1,95 @@
+// Local media copies: what a reply says about a stored file
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mockServer } = require('./helpers');
+
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-media-'));
+const { MediaStorageService } = require('../server');
+
+test.after(() => fs.rmSync(process.env.MEDIA_DIR, { recursive: true, force: true }));
+
+test('a second download of a stored source gets the tags inside the file', async () => {
+    const upstream = await mockServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(Buffer.alloc(2048, 7));
+    });
+    const result = { success: true, download_link: `${upstream.url}/song.mp3`, title: 'Essence', format: 'MP3' };
+    
+    const first = await MediaStorageService.localize(result, 'test:tags', { title: 'Essence', artist: 'Wizkid' });
+    const second = await MediaStorageService.localize(result, 'test:tags', { title: 'Essence', artist: 'Someone Else' });
+    await upstream.close();
+    
+    assert.strictEqual(upstream.requests.length, 1);
+    assert.strictEqual(second.media_id, first.media_id);
+    assert.strictEqual(first.tags.artist, 'Wizkid');
+    assert.strictEqual(second.tags.artist, 'Wizkid');
+});
+
+function fileServer(fill) {
+    return mockServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(Buffer.alloc(2048, fill));
+    });
+}
+
+test('a file that fills the store is refused instead of being evicted on arrival', async () => {
+    process.env.MEDIA_MAX_BYTES = '1024';
+    const upstream = await fileServer(1);
+    const stored = await MediaStorageService.localize(
+        { success: true, download_link: `${upstream.url}/big.opus`, title: 'Big', format: 'OPUS' }, 'test:big');
+    await upstream.close();
+    delete process.env.MEDIA_MAX_BYTES;
+    
+    assert.strictEqual(stored.success, false);
+});
+
+test('links just handed out survive cleanup over the size limit', async () => {
+    const first = await fileServer(2);
+    const second = await fileServer(3);
+    const a = await MediaStorageService.localize({ success: true, download_link: `${first.url}/a.opus`, title: 'A', format: 'OPUS' }, 'test:a');
+    process.env.MEDIA_MAX_BYTES = '3000';
+    const b = await MediaStorageService.localize({ success: true, download_link: `${second.url}/b.opus`, title: 'B', format: 'OPUS' }, 'test:b');
+    MediaStorageService.cleanup();
+    delete process.env.MEDIA_MAX_BYTES;
+    await first.close();
+    await second.close();
+    
+    assert.ok(MediaStorageService.get(a.media_id));
+    assert.ok(MediaStorageService.get(b.media_id));
+});
+
+test('reading a file records its use in the saved index', async () => {
+    const upstream = await fileServer(4);
+    const stored = await MediaStorageService.localize({ success: true, download_link: `${upstream.url}/c.opus`, title: 'C', format: 'OPUS' }, 'test:c');
+    await upstream.close();
+    MediaStorageService.entries[stored.media_id].last_accessed = new Date(Date.now() - 3600000).toISOString();
+    
+    const read = MediaStorageService.get(stored.media_id);
+    const saved = JSON.parse(fs.readFileSync(MediaStorageService.indexPath, 'utf8')).entries[stored.media_id];
+    
+    assert.strictEqual(saved.last_accessed, read.last_accessed);
+});
+
+test('a file in another container than requested is labelled by its content', async () => {
+    const mp3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(2045, 5)]);
+    const ogg = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(2044, 6)]);
+    const upstream = await mockServer((request, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(request.url === '/mp3' ? mp3 : ogg);
+    });
+    
+    const ignored = await MediaStorageService.localize({ success: true, download_link: `${upstream.url}/mp3`, title: 'Ignored', format: 'M4A' }, 'test:m4a');
+    const honoured = await MediaStorageService.localize({ success: true, download_link: `${upstream.url}/ogg`, title: 'Honoured', format: 'OPUS' }, 'test:opus');
+    await upstream.close();
+    
+    assert.strictEqual(ignored.format, 'MP3');
+    assert.strictEqual(ignored.format_fallback, true);
+    assert.strictEqual(ignored.requested_format, 'M4A');
+    assert.match(ignored.filename, /\.mp3$/);
+    assert.strictEqual(MediaStorageService.get(ignored.media_id).content_type, 'audio/mpeg');
+    assert.strictEqual(honoured.format, 'OPUS');
+    assert.strictEqual(honoured.format_fallback, undefined);
+});
@@ -0,0 +1,143 @@
+// Telegram and WhatsApp webhooks against a local mock of both platform APIs
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { mockServer, sendJson, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-chat-media-'));
+process.env.MESSAGING_PLACEHOLDER_MS = '0';
+process.env.TELEGRAM_BOT_TOKEN = 'bot-token';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret';
+process.env.WHATSAPP_TOKEN = 'wa-token';
+process.env.WHATSAPP_PHONE_NUMBER_ID = '555';
+process.env.WHATSAPP_APP_SECRET = 'whatsapp-secret';
+const { server, MessagingService, TelegramAdapter, WhatsAppAdapter, MediaStorageService, AuthService } = require('../server');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+let platform;
+let nextId = 100;
+
+test.before(async () => {
+    platform = await mockServer((request, res) => {
+        if (request.url.startsWith('/wa/')) {
+            return sendJson(res, 200, request.url.endsWith('/media') ? { id: 'uploaded-media' } : { messages: [{ id: `wamid.${nextId++}` }] });
+        }
+        sendJson(res, 200, { ok: true, result: { message_id: nextId++ } });
+    });
+    process.env.TELEGRAM_API_BASE_URL = platform.url;
+    process.env.WHATSAPP_API_BASE_URL = `${platform.url}/wa`;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await platform.close();
+    fs.rmSync(process.env.MEDIA_DIR, { recursive: true, force: true });
+});
+
+// Replies are sent in the background after the webhook is acknowledged
+async function sentTo(pathPart, count = 1) {
+    for (let i = 0; i < 200; i++) {
+        const sent = platform.requests.filter(request => request.url.includes(pathPart));
+        if (sent.length >= count) {
+            return sent;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return platform.requests.filter(request => request.url.includes(pathPart));
+}
+
+function telegramUpdate(updateId, text) {
+    return { update_id: updateId, message: { message_id: updateId, chat: { id: 42, type: 'private' }, from: { id: 42 }, text: text } };
+}
+
+function whatsappBody(id, text) {
+    return {
+        entry: [{ changes: [{ value: { metadata: { phone_number_id: '555' }, messages: [{ id: id, from: '254700000000', type: 'text', text: { body: text } }] } }] }]
+    };
+}
+
+function signature(raw, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+}
+
+test('webhooks are refused while the platform secret is not set', async () => {
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    const response = await http.post(`${base}/api/webhooks/telegram`, telegramUpdate(1, 'hi'));
+    process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret';
+    
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(response.data.code, 'NOT_CONFIGURED');
+});
+
+test('a Telegram update with the wrong secret token is rejected', async () => {
+    const response = await http.post(`${base}/api/webhooks/telegram`, telegramUpdate(2, 'hi'), {
+        headers: { 'X-Telegram-Bot-Api-Secret-Token': 'guess' }
+    });
+    assert.strictEqual(response.status, 403);
+});
+
+test('a resent Telegram update is answered once', async () => {
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': 'telegram-secret' };
+    const first = await http.post(`${base}/api/webhooks/telegram`, telegramUpdate(3, 'help'), { headers });
+    const again = await http.post(`${base}/api/webhooks/telegram`, telegramUpdate(3, 'help'), { headers });
+    
+    assert.strictEqual(first.data.received, 1);
+    assert.strictEqual(again.data.received, 0);
+    const replies = await sentTo('/botbot-token/sendMessage');
+    assert.strictEqual(JSON.parse(replies[0].body).chat_id, 42);
+});
+
+test('WhatsApp notifications must carry a valid signature', async () => {
+    const raw = JSON.stringify(whatsappBody('wamid.in1', 'help'));
+    const headers = { 'Content-Type': 'application/json' };
+    
+    const forged = await http.post(`${base}/api/webhooks/whatsapp`, raw, { headers: { ...headers, 'X-Hub-Signature-256': signature(raw, 'wrong') } });
+    const signed = await http.post(`${base}/api/webhooks/whatsapp`, raw, { headers: { ...headers, 'X-Hub-Signature-256': signature(raw, 'whatsapp-secret') } });
+    
+    assert.strictEqual(forged.status, 403);
+    assert.strictEqual(signed.data.received, 1);
+    const replies = await sentTo('/wa/555/messages');
+    assert.strictEqual(JSON.parse(replies[0].body).to, '254700000000');
+});
+
+test('stored audio goes out as an attachment on both platforms', async () => {
+    const file = path.join(process.env.MEDIA_DIR, '.upload.part');
+    fs.writeFileSync(file, Buffer.concat([Buffer.from('ID3'), Buffer.alloc(1021, 9)]));
+    const entry = MediaStorageService.register(file, {
+        id: 'a'.repeat(32), size: 1024, extension: 'mp3', contentType: 'audio/mpeg', title: 'Wizkid - Essence'
+    });
+    const result = {
+        success: true,
+        response: { message: 'Here it is', download_data: { media_id: entry.id, tags: { title: 'Essence', artist: 'Wizkid' } } }
+    };
+    
+    await MessagingService.deliver(TelegramAdapter, { chat: 42, replyTo: null }, result);
+    const [upload] = await sentTo('/sendAudio');
+    const form = upload.body.toString('latin1');
+    assert.match(form, /name="audio"; filename="Wizkid - Essence\.mp3"/);
+    assert.match(form, /name="performer"\r\n\r\nWizkid/);
+    
+    await MessagingService.deliver(WhatsAppAdapter, { chat: '254700000001', replyTo: null }, result);
+    await sentTo('/wa/555/media');
+    const messages = (await sentTo('/wa/555/messages', 3)).map(request => JSON.parse(request.body)).filter(body => body.to === '254700000001');
+    assert.deepStrictEqual(messages.map(body => body.type), ['audio', 'text']);
+    assert.strictEqual(messages[0].audio.id, 'uploaded-media');
+});
+
+test('a chat keeps its session id when the JWT secret changes', () => {
+    const before = MessagingService.sessionId(TelegramAdapter, 42);
+    const jwtSecret = AuthService.jwtSecret;
+    AuthService.jwtSecret = 'another-secret';
+    const after = MessagingService.sessionId(TelegramAdapter, 42);
+    AuthService.jwtSecret = jwtSecret;
+    
+    assert.strictEqual(after, before);
+    assert.notStrictEqual(MessagingService.sessionId(WhatsAppAdapter, 42), before);
+});
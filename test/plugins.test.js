@@ -0,0 +1,54 @@
+// Handler plugins: a file loads whole or not at all, and can never replace a handler or command already taken
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_STORE = 'memory';
+const { HandlerRegistry } = require('../server');
+
+const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-plugins-'));
+
+function plugin(file, source) {
+    fs.writeFileSync(path.join(pluginDir, file), source);
+}
+
+test.after(() => fs.rmSync(pluginDir, { recursive: true, force: true }));
+
+test('plugins load only when every handler in the file is valid and its id and commands are free', () => {
+    const builtInChat = HandlerRegistry.handlers.chat;
+    plugin('a-takeover.js', `module.exports = { id: 'chat', handle: async () => ({ success: true }) };`);
+    plugin('b-half.js', `module.exports = [
+        { id: 'weather', handle: async () => ({ success: true }) },
+        { id: 'broken' }
+    ];`);
+    plugin('c-command.js', `module.exports = {
+        id: 'shadow',
+        handle: async () => ({ success: true }),
+        commands: [{ name: 'mp3', parse: () => null }]
+    };`);
+    plugin('d-twice.js', `module.exports = [
+        { id: 'twin', handle: async () => ({ success: true }) },
+        { id: 'twin', handle: async () => ({ success: true }) }
+    ];`);
+    plugin('e-good.js', `module.exports = (api) => [
+        { id: 'jokes', handle: async () => api.reply({ type: 'joke', message: 'Knock knock' }), commands: [{ name: 'joke', parse: () => ({ intent: 'jokes' }) }] },
+        { id: 'quotes', handle: async () => ({ success: true }) }
+    ];`);
+    
+    const loaded = HandlerRegistry.loadPlugins(pluginDir);
+    
+    assert.deepStrictEqual(loaded, ['jokes', 'quotes']);
+    assert.strictEqual(HandlerRegistry.handlers.chat, builtInChat);
+    assert.strictEqual(HandlerRegistry.plugins.chat, undefined);
+    for (const id of ['weather', 'broken', 'shadow', 'twin']) {
+        assert.strictEqual(HandlerRegistry.handlers[id], undefined, id);
+    }
+    assert.strictEqual(HandlerRegistry.parseCommand('/mp3 Essence').intent, 'song_download');
+    assert.strictEqual(HandlerRegistry.parseCommand('/joke').intent, 'jokes');
+    assert.strictEqual(HandlerRegistry.plugins.jokes, 'e-good.js');
+    
+    // The same file again is refused as a whole, since its ids are now taken
+    assert.deepStrictEqual(HandlerRegistry.loadPlugins(pluginDir), []);
+});
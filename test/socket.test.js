@@ -0,0 +1,77 @@
+// Progress over Socket.IO for HTTP chat: only a caller holding the socket's token can stream to it
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+const { server } = require('../server');
+
+const http = axios.create({ validateStatus: () => true, responseType: 'text', transformResponse: data => data });
+let base;
+
+// A bare Engine.IO long-polling client, enough to join the default namespace and read events
+async function connectSocket() {
+    const open = await http.get(`${base}/socket.io/?EIO=4&transport=polling`);
+    const sid = JSON.parse(open.data.slice(1)).sid;
+    const url = `${base}/socket.io/?EIO=4&transport=polling&sid=${sid}`;
+    await http.post(url, '40', { headers: { 'Content-Type': 'text/plain' } });
+    
+    const socket = { id: null, events: [] };
+    socket.poll = async () => {
+        const response = await http.get(url);
+        for (const packet of response.data.split('\x1e')) {
+            if (packet.startsWith('40')) {
+                socket.id = JSON.parse(packet.slice(2)).sid;
+            } else if (packet.startsWith('42')) {
+                const [name, data] = JSON.parse(packet.slice(2));
+                socket.events.push({ name: name, data: data });
+            }
+        }
+    };
+    socket.close = () => http.post(url, '1', { headers: { 'Content-Type': 'text/plain' } });
+    while (!socket.events.some(event => event.name === 'ready')) {
+        await socket.poll();
+    }
+    socket.token = socket.events.find(event => event.name === 'ready').data.socket_token;
+    return socket;
+}
+
+function chat(body) {
+    return http.post(`${base}/api/bera-ai`, JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+}
+
+test.before(async () => {
+    base = await startServer(server);
+});
+
+test.after(() => stopServer(server));
+
+test('a chat request streams its stages to a socket only with that socket\'s token', async () => {
+    const mine = await connectSocket();
+    const other = await connectSocket();
+    assert.ok(mine.id);
+    assert.notStrictEqual(mine.token, other.token);
+    
+    const forged = await chat({ message: 'Who created you?', socket_id: mine.id, socket_token: other.token });
+    assert.strictEqual(forged.status, 403);
+    assert.strictEqual(JSON.parse(forged.data).code, 'FORBIDDEN');
+    
+    const missing = await chat({ message: 'Who created you?', socket_id: mine.id });
+    assert.strictEqual(missing.status, 403);
+    
+    const allowed = await chat({ message: 'Who created you?', socket_id: mine.id, socket_token: mine.token, request_id: 'req-1' });
+    assert.strictEqual(allowed.status, 200);
+    while (!mine.events.some(event => event.name === 'stage')) {
+        await mine.poll();
+    }
+    const stage = mine.events.find(event => event.name === 'stage');
+    assert.strictEqual(stage.data.request_id, 'req-1');
+    assert.strictEqual(stage.data.stage, 'intent_detected');
+    
+    const plain = await chat({ message: 'Who created you?' });
+    assert.strictEqual(plain.status, 200);
+    
+    await mine.close();
+    await other.close();
+});
@@ -0,0 +1,33 @@
+// Concurrent writers of one file: every write lands whole and no temp file is left behind
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, FileSessionStore } = require('../server');
+
+test('concurrent atomic writes to one file all succeed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-atomic-'));
+    const target = path.join(dir, 'data.json');
+    
+    await Promise.all(Array.from({ length: 20 }, (_, i) => writeFileAtomic(target, JSON.stringify({ write: i }))));
+    
+    assert.ok(JSON.parse(fs.readFileSync(target, 'utf8')).write >= 0);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['data.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('two saves of one session at the same time both succeed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-sessions-'));
+    const store = new FileSessionStore(dir);
+    const session = { id: 'same-session', messages: [] };
+    
+    await Promise.all([
+        store.save({ ...session, messages: ['first'] }),
+        store.save({ ...session, messages: ['second'] })
+    ]);
+    
+    assert.strictEqual((await store.get('same-session')).messages.length, 1);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['same-session.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
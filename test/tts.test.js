@@ -0,0 +1,115 @@
+// Text-to-speech against a local stand-in for ElevenLabs: the request, the clip cache and spoken replies
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { mockServer, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.RATE_LIMIT_SPEECH_MAX = '100';
+process.env.TTS_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-tts-'));
+process.env.ELEVENLABS_API_KEY = 'eleven-key';
+process.env.ELEVENLABS_VOICE_ID = 'default-voice';
+const { server } = require('../server');
+
+const http = axios.create({ validateStatus: () => true, responseType: 'arraybuffer' });
+let base;
+let elevenlabs;
+
+function speak(body) {
+    return http.post(`${base}/api/tts`, body);
+}
+
+function json(response) {
+    return JSON.parse(Buffer.from(response.data).toString());
+}
+
+test.before(async () => {
+    // Answers with the voice and text it was asked for, so every clip is distinguishable
+    elevenlabs = await mockServer((request, res) => {
+        const { text } = JSON.parse(request.body.toString());
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(`ID3 ${decodeURIComponent(request.url.split('/').pop())}: ${text}`);
+    });
+    process.env.ELEVENLABS_BASE_URL = elevenlabs.url;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await elevenlabs.close();
+    fs.rmSync(process.env.TTS_CACHE_DIR, { recursive: true, force: true });
+});
+
+test('text is cleaned, synthesized once and then served from the clip cache', async () => {
+    const first = await speak({ text: '🎵 <b>Hello</b>   from Bera AI' });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers['content-type'], 'audio/mpeg');
+    assert.strictEqual(first.headers['x-tts-cache'], 'MISS');
+    assert.strictEqual(Buffer.from(first.data).toString(), 'ID3 default-voice: Hello from Bera AI');
+    
+    const request = elevenlabs.requests.at(-1);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/v1/text-to-speech/default-voice');
+    assert.strictEqual(request.headers['xi-api-key'], 'eleven-key');
+    assert.strictEqual(request.headers.accept, 'audio/mpeg');
+    assert.deepStrictEqual(JSON.parse(request.body.toString()), { text: 'Hello from Bera AI', model_id: 'eleven_multilingual_v2' });
+    
+    const second = await speak({ text: 'Hello from Bera AI' });
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.headers['x-tts-cache'], 'HIT');
+    assert.strictEqual(second.headers['x-tts-audio-url'], first.headers['x-tts-audio-url']);
+    assert.strictEqual(elevenlabs.requests.length, 1);
+    
+    const clip = await http.get(`${base}${first.headers['x-tts-audio-url']}`);
+    assert.strictEqual(clip.status, 200);
+    assert.strictEqual(Buffer.from(clip.data).toString(), 'ID3 default-voice: Hello from Bera AI');
+    assert.deepStrictEqual(fs.readdirSync(process.env.TTS_CACHE_DIR), [path.basename(first.headers['x-tts-audio-url'])]);
+});
+
+test('another voice is a separate clip', async () => {
+    const response = await speak({ text: 'Hello from Bera AI', voice_id: 'other voice' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['x-tts-cache'], 'MISS');
+    assert.strictEqual(elevenlabs.requests.at(-1).url, '/v1/text-to-speech/other%20voice');
+    assert.strictEqual(Buffer.from(response.data).toString(), 'ID3 other voice: Hello from Bera AI');
+});
+
+test('speak: true adds the spoken reply to a chat answer', async () => {
+    const response = await http.post(`${base}/api/bera-ai`, { message: 'Who created you?', speak: true });
+    const body = json(response);
+    assert.strictEqual(response.status, 200);
+    assert.match(body.response.audio_url, /^\/api\/tts\/[a-f0-9]{64}\.mp3$/);
+    
+    const clip = await http.get(`${base}${body.response.audio_url}`);
+    assert.strictEqual(Buffer.from(clip.data).toString(), `ID3 default-voice: ${body.response.message}`);
+});
+
+test('missing text, unknown clips, a missing key and a failing provider become API errors', async () => {
+    const empty = await speak({ text: '🎵' });
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual(json(empty).code, 'MISSING_TEXT');
+    
+    const unknown = await http.get(`${base}/api/tts/${'0'.repeat(64)}.mp3`);
+    assert.strictEqual(unknown.status, 404);
+    
+    delete process.env.ELEVENLABS_API_KEY;
+    try {
+        const unconfigured = await speak({ text: 'Not configured' });
+        assert.strictEqual(unconfigured.status, 503);
+        assert.strictEqual(json(unconfigured).code, 'NOT_CONFIGURED');
+    } finally {
+        process.env.ELEVENLABS_API_KEY = 'eleven-key';
+    }
+    
+    process.env.ELEVENLABS_BASE_URL = 'http://127.0.0.1:9';
+    try {
+        const failed = await speak({ text: 'Nobody is listening' });
+        assert.strictEqual(failed.status, 503);
+        assert.strictEqual(json(failed).code, 'SERVICE_UNAVAILABLE');
+    } finally {
+        process.env.ELEVENLABS_BASE_URL = elevenlabs.url;
+    }
+});
@@ -0,0 +1,129 @@
+// Upstream calls: retries, and circuit breakers opening, testing recovery half-open and closing again
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { mockServer, sendJson, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.HEALTH_PROBE_INTERVAL_MS = '0';
+process.env.UPSTREAM_RETRY_BASE_MS = '1';
+process.env.UPSTREAM_BREAKER_THRESHOLD = '3';
+process.env.UPSTREAM_BREAKER_RESET_MS = '200';
+const { server, UpstreamClient, CircuitOpenError } = require('../server');
+
+const http = axios.create({ validateStatus: () => true });
+let base;
+let upstream;
+// Status codes the stub answers with, in order; 200 once they run out
+let statuses = [];
+let hold = null;
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test.before(async () => {
+    upstream = await mockServer(async (request, res) => {
+        if (hold) {
+            await hold;
+        }
+        const status = statuses.length > 0 ? statuses.shift() : 200;
+        sendJson(res, status, status === 200 ? [{ trackName: 'Essence', artistName: 'Wizkid', plainLyrics: 'Lyrics' }] : { error: 'down' });
+    });
+    process.env.LYRICS_BASE_URL = upstream.url;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await upstream.close();
+});
+
+test('GETs are retried on 5xx, POSTs and 4xx answers are not', async () => {
+    statuses = [503, 502];
+    const response = await UpstreamClient.get('stub:retry', `${upstream.url}/ok`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(upstream.requests.length, 3);
+    
+    statuses = [404];
+    await assert.rejects(UpstreamClient.get('stub:retry', `${upstream.url}/missing`), error => error.response.status === 404);
+    assert.strictEqual(upstream.requests.length, 4);
+    
+    statuses = [503];
+    await assert.rejects(UpstreamClient.post('stub:retry', `${upstream.url}/write`, {}), error => error.response.status === 503);
+    assert.strictEqual(upstream.requests.length, 5);
+    assert.strictEqual(UpstreamClient.upstream('stub:retry').breaker.state, 'closed');
+});
+
+test('a breaker opens after consecutive failures and lets one trial call through once the reset time has passed', async () => {
+    const name = 'stub:breaker';
+    const breaker = UpstreamClient.upstream(name).breaker;
+    const call = () => UpstreamClient.post(name, `${upstream.url}/call`, {});
+    
+    statuses = [500, 500, 500];
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(call(), error => error.response.status === 500);
+    }
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(UpstreamClient.status(name), 'down');
+    
+    const calls = upstream.requests.length;
+    await assert.rejects(call(), error => error instanceof CircuitOpenError && error.upstream === name);
+    assert.strictEqual(upstream.requests.length, calls);
+    
+    // Half-open: the trial fails, so the breaker opens again straight away
+    await wait(250);
+    statuses = [500];
+    await assert.rejects(call(), error => error.response.status === 500);
+    assert.strictEqual(breaker.state, 'open');
+    await assert.rejects(call(), CircuitOpenError);
+    
+    // Half-open again: while the trial is in flight every other call is refused
+    await wait(250);
+    let release;
+    hold = new Promise(resolve => {
+        release = resolve;
+    });
+    const trial = call();
+    await wait(20);
+    assert.strictEqual(breaker.state, 'half_open');
+    assert.strictEqual(UpstreamClient.status(name), 'degraded');
+    await assert.rejects(call(), CircuitOpenError);
+    hold = null;
+    release();
+    
+    assert.strictEqual((await trial).status, 200);
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.failures, 0);
+    assert.strictEqual(UpstreamClient.status(name), 'up');
+});
+
+test('an open breaker marks its feature degraded in /api/health and requests fail fast', async () => {
+    statuses = [500, 500, 500];
+    process.env.UPSTREAM_RETRIES = '0';
+    try {
+        for (const title of ['One', 'Two', 'Three']) {
+            const response = await http.post(`${base}/api/lyrics`, { title: title });
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(response.data.code, 'SERVICE_UNAVAILABLE');
+        }
+    } finally {
+        delete process.env.UPSTREAM_RETRIES;
+    }
+    
+    const health = await http.get(`${base}/api/health`);
+    assert.strictEqual(health.status, 503);
+    assert.strictEqual(health.data.status, 'degraded');
+    assert.strictEqual(health.data.features.lyrics, 'degraded');
+    assert.strictEqual(health.data.dependencies['lyrics:lrclib'].breaker.state, 'open');
+    
+    const calls = upstream.requests.length;
+    const refused = await http.post(`${base}/api/lyrics`, { title: 'Four' });
+    assert.strictEqual(refused.status, 503);
+    assert.strictEqual(upstream.requests.length, calls);
+    
+    await wait(250);
+    const recovered = await http.post(`${base}/api/lyrics`, { title: 'Essence' });
+    assert.strictEqual(recovered.status, 200);
+    assert.strictEqual((await http.get(`${base}/api/health`)).data.features.lyrics, 'active');
+});
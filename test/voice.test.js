@@ -0,0 +1,118 @@
+// Voice messages: both speech-to-text backends, with a local HTTP stand-in and stand-in binaries
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const { mockServer, sendJson, startServer, stopServer } = require('./helpers');
+
+process.env.AUTH_STORE = 'memory';
+process.env.STT_HTTP_API_KEY = 'stt-key';
+process.env.STT_LANGUAGE = 'en';
+const { server } = require('../server');
+
+const VOICE = Buffer.from('a voice note');
+
+const http = axios.create({ validateStatus: () => true });
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bera-stt-bin-'));
+let base;
+let stt;
+let reply;
+
+function transcribe() {
+    const form = new FormData();
+    form.append('audio', VOICE, { filename: 'note.ogg', contentType: 'audio/ogg' });
+    return http.post(`${base}/api/voice/transcribe`, form, { headers: form.getHeaders() });
+}
+
+// A shell script standing in for ffmpeg or whisper-cli; every call's arguments go to <name>.args
+function fakeBinary(name, body) {
+    const file = path.join(binDir, name);
+    fs.writeFileSync(file, `#!/bin/sh\necho "$@" >> "${file}.args"\n${body}\n`, { mode: 0o755 });
+    return file;
+}
+
+test.before(async () => {
+    stt = await mockServer((request, res) => reply(res));
+    process.env.STT_HTTP_URL = `${stt.url}/v1/audio/transcriptions`;
+    base = await startServer(server);
+});
+
+test.after(async () => {
+    await stopServer(server);
+    await stt.close();
+    fs.rmSync(binDir, { recursive: true, force: true });
+});
+
+test('the http backend uploads the voice note and the transcript is answered like a chat message', async () => {
+    process.env.STT_BACKEND = 'http';
+    reply = res => sendJson(res, 200, { text: '  Who created you?  ' });
+    
+    const response = await transcribe();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.transcript, 'Who created you?');
+    assert.strictEqual(response.data.response.type, 'identity');
+    
+    const request = stt.requests.at(-1);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/v1/audio/transcriptions');
+    assert.strictEqual(request.headers.authorization, 'Bearer stt-key');
+    const body = request.body.toString('latin1');
+    assert.match(body, /name="file"; filename="note.ogg"\r\nContent-Type: audio\/ogg\r\n\r\na voice note\r\n/);
+    assert.match(body, /name="model"\r\n\r\nwhisper-1\r\n/);
+    assert.match(body, /name="language"\r\n\r\nen\r\n/);
+});
+
+test('plain-text transcripts are accepted; empty or failed ones become API errors', async () => {
+    process.env.STT_BACKEND = 'http';
+    
+    reply = res => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('who created you\n');
+    };
+    const plain = await transcribe();
+    assert.strictEqual(plain.status, 200);
+    assert.strictEqual(plain.data.transcript, 'who created you');
+    
+    reply = res => sendJson(res, 200, { text: '   ' });
+    const empty = await transcribe();
+    assert.strictEqual(empty.status, 422);
+    assert.strictEqual(empty.data.code, 'EMPTY_TRANSCRIPT');
+    
+    reply = res => sendJson(res, 500, { error: 'model overloaded' });
+    const failed = await transcribe();
+    assert.strictEqual(failed.status, 503);
+    assert.strictEqual(failed.data.code, 'SERVICE_UNAVAILABLE');
+});
+
+test('the whisper backend converts to 16kHz mono WAV, runs the model and cleans up after itself', async () => {
+    process.env.STT_BACKEND = 'whisper';
+    process.env.STT_WHISPER_MODEL = '/models/ggml-base.bin';
+    // The last argument is the WAV path ffmpeg is asked to write
+    process.env.STT_FFMPEG_BIN = fakeBinary('ffmpeg', 'for last; do :; done\ntouch "$last"');
+    process.env.STT_WHISPER_BIN = fakeBinary('whisper-cli', 'printf "  Who created\\n you?  \\n"');
+    
+    const response = await transcribe();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.transcript, 'Who created you?');
+    assert.strictEqual(response.data.response.type, 'identity');
+    
+    const ffmpegArgs = fs.readFileSync(`${process.env.STT_FFMPEG_BIN}.args`, 'utf8').trim().split(' ');
+    const input = ffmpegArgs[ffmpegArgs.indexOf('-i') + 1];
+    const wav = ffmpegArgs.at(-1);
+    assert.strictEqual(path.basename(input), 'note.ogg');
+    assert.deepStrictEqual(ffmpegArgs.slice(3, -1), ['-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le']);
+    
+    const whisperArgs = fs.readFileSync(`${process.env.STT_WHISPER_BIN}.args`, 'utf8').trim();
+    assert.strictEqual(whisperArgs, `-m /models/ggml-base.bin -f ${wav} -nt -np -l en`);
+    assert.strictEqual(fs.existsSync(path.dirname(wav)), false);
+});
+
+test('an unknown backend is reported as not configured', async () => {
+    process.env.STT_BACKEND = 'carrier-pigeon';
+    const response = await transcribe();
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(response.data.code, 'NOT_CONFIGURED');
+});